@@ -121,11 +121,11 @@ export default class TelegramConversation extends LightningElement {
             const result = await startNewSession({ threadId: this.conversationData.thread.id });
             console.log('Start session result:', result);
             
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.showToast('Success', 'New session started', 'success');
                 this.loadConversation();
             } else {
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                this.showToast('Error', result.message, 'error');
                 this.isLoading = false;
             }
         } catch (error) {
@@ -149,11 +149,11 @@ export default class TelegramConversation extends LightningElement {
             const result = await endSession({ threadId: this.conversationData.thread.id });
             console.log('End session result:', result);
             
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.showToast('Success', 'Session ended successfully', 'success');
                 this.loadConversation();
             } else {
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                this.showToast('Error', result.message, 'error');
                 this.isLoading = false;
             }
         } catch (error) {
@@ -198,15 +198,15 @@ export default class TelegramConversation extends LightningElement {
 
             console.log('📩 Send message result:', result);
 
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.messageText = '';
                 this.clearAttachment();
                 this.loadConversation();
                 this.showToast('Success', 'Message sent!', 'success');
                 console.log('✅ Message sent successfully');
             } else {
-                console.error('❌ Send failed:', result);
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                console.error('❌ Send failed:', result.errorCode, result.message);
+                this.showToast('Error', result.message, 'error');
             }
         } catch (error) {
             console.error('❌ Error sending message:', error);
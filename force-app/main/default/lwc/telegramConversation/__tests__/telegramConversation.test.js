@@ -0,0 +1,166 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramConversation from 'c/telegramConversation';
+import getOrCreateConversation from '@salesforce/apex/TelegramMessagingService.getOrCreateConversation';
+import sendMessage from '@salesforce/apex/TelegramMessagingService.sendMessage';
+import addNote from '@salesforce/apex/TelegramNoteService.addNote';
+import searchUsers from '@salesforce/apex/TelegramNoteService.searchUsers';
+
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.getOrCreateConversation',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.sendMessage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.uploadAttachment',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.getMessagesBefore',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.editMessage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.deleteMessage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.retryMessage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.startNewSession',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.endSession',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramMessagingService.sendSticker',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramQuickReplyController.resolveMergeFields',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramReadStateService.markThreadRead',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramNoteService.addNote',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramNoteService.searchUsers',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramTranscriptService.getTranscript',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramTranscriptService.sendTranscriptToCustomer',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramDraftService.saveDraft',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const CONVERSATION = {
+    thread: { id: 'a0T000000000001', name: 'TG-0001', sessionCount: 1 },
+    hasActiveSession: true,
+    messages: []
+};
+
+describe('c-telegram-conversation', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        localStorage.clear();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    function findButtonIcon(element, iconName) {
+        return Array.from(element.shadowRoot.querySelectorAll('lightning-button-icon'))
+            .find(button => button.iconName === iconName);
+    }
+
+    function typeMessage(element, text) {
+        const input = element.shadowRoot.querySelector('.message-input');
+        input.value = text;
+        input.dispatchEvent(new CustomEvent('input'));
+    }
+
+    it('saves a note with the mentioned users instead of sending it to the customer', async () => {
+        searchUsers.mockResolvedValue([{ id: '005000000000001', name: 'Sara Tesfaye' }]);
+        addNote.mockResolvedValue({ success: true, message: 'Note added' });
+        const element = createElement('c-telegram-conversation', { is: TelegramConversation });
+        element.recordId = '00Q000000000001';
+        document.body.appendChild(element);
+
+        getOrCreateConversation.emit(CONVERSATION);
+        await flushPromises();
+
+        findButtonIcon(element, 'utility:note').click();
+        await flushPromises();
+
+        typeMessage(element, 'Can you check the refund, @Sa');
+        await flushPromises();
+        expect(searchUsers).toHaveBeenCalledWith({ searchTerm: 'Sa' });
+
+        element.shadowRoot.querySelector('.mention-option').click();
+        await flushPromises();
+
+        findButtonIcon(element, 'utility:send').click();
+        await flushPromises();
+
+        expect(addNote).toHaveBeenCalledWith({
+            threadId: 'a0T000000000001',
+            noteText: 'Can you check the refund, @Sara Tesfaye ',
+            mentionedUserIds: ['005000000000001']
+        });
+        expect(sendMessage).not.toHaveBeenCalled();
+    });
+});
\ No newline at end of file
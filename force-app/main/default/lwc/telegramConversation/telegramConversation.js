@@ -1,32 +1,101 @@
 import { LightningElement, api, track, wire } from 'lwc';
 import getOrCreateConversation from '@salesforce/apex/TelegramMessagingService.getOrCreateConversation';
 import sendMessage from '@salesforce/apex/TelegramMessagingService.sendMessage';
+import uploadAttachment from '@salesforce/apex/TelegramMessagingService.uploadAttachment';
+import getMessagesBefore from '@salesforce/apex/TelegramMessagingService.getMessagesBefore';
+import editMessage from '@salesforce/apex/TelegramMessagingService.editMessage';
+import deleteMessage from '@salesforce/apex/TelegramMessagingService.deleteMessage';
+import retryMessage from '@salesforce/apex/TelegramMessagingService.retryMessage';
+import resolveMergeFields from '@salesforce/apex/TelegramQuickReplyController.resolveMergeFields';
+import markThreadRead from '@salesforce/apex/TelegramReadStateService.markThreadRead';
+import addNote from '@salesforce/apex/TelegramNoteService.addNote';
+import searchUsers from '@salesforce/apex/TelegramNoteService.searchUsers';
+import getTranscript from '@salesforce/apex/TelegramTranscriptService.getTranscript';
+import sendTranscriptToCustomer from '@salesforce/apex/TelegramTranscriptService.sendTranscriptToCustomer';
 import startNewSession from '@salesforce/apex/TelegramMessagingService.startNewSession';
 import endSession from '@salesforce/apex/TelegramMessagingService.endSession';
+import saveServerDraft from '@salesforce/apex/TelegramDraftService.saveDraft';
+import sendSticker from '@salesforce/apex/TelegramMessagingService.sendSticker';
 //import createConversation from '@salesforce/apex/TelegramMessagingService.createConversation';
 import { refreshApex } from '@salesforce/apex';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+import LightningConfirm from 'lightning/confirm';
+import { loadDraft, saveDraft, saveDraftAttachment, clearDraft } from 'c/telegramDrafts';
+
+const MB = 1024 * 1024;
+// TelegramSendJob holds the file about four times over while building the multipart upload,
+// which has to fit in the 12 MB asynchronous heap
+const MAX_UPLOAD_SIZE = 2 * MB;
+
+// Draft text is written once typing pauses, not on every keystroke
+const DRAFT_SAVE_DELAY = 500;
+
+const MESSAGE_EVENT_CHANNEL = '/event/Telegram_Message_Event__e';
+// Polling is only used while the streaming subscription is down
+const FALLBACK_POLL_INTERVAL = 10000;
+
+const MESSAGE_PAGE_SIZE = 50;
+// Distance from the top of the message list that triggers loading older messages
+const LOAD_OLDER_THRESHOLD = 50;
+// Distance from the bottom within which the newest messages count as seen
+const READ_THRESHOLD = 50;
+
+const MAX_KEYBOARD_BUTTONS = 20;
+
+// "@name" being typed at the end of a note
+const MENTION_PATTERN = /@([^\s@]*)$/;
 
 export default class TelegramConversation extends LightningElement {
     @api recordId;
+    // Set on record pages; elsewhere the server reports the object of recordId
+    @api objectApiName;
     @track conversationData = {};
     @track messageText = '';
     @track isSending = false;
     @track isLoading = true;
     @track showEmojiPicker = false;
+    @track showQuickReplies = false;
+    @track showTransfer = false;
+    @track replyTarget = null;
+    @track editTarget = null;
+    @track showButtonBuilder = false;
+    @track keyboardButtons = [];
+    buttonKeySeed = 0;
+    // Note mode saves the composer text as an internal note instead of sending it
+    @track isNoteMode = false;
+    @track mentionSuggestions = [];
+    mentionedUsers = [];
+    mentionQuery = null;
     @track selectedFile = null;
     @track fileName = '';
     @track filePreviewUrl = '';
-    @track attachmentUrl = '';
-
-    // Emoji data
-    emojis = ['😀', '😃', '😄', '😁', '😆', '😅', '😂', '🤣', '😊', '😇', 
-              '🙂', '🙃', '😉', '😌', '😍', '🥰', '😘', '😗', '😙', '😚',
-              '😋', '😛', '😝', '😜', '🤪', '🤨', '🧐', '🤓', '😎', '🤩',
-              '🥳', '😏', '😒', '😞', '😔', '😟', '😕', '🙁', '☹️', '😣'];
+    fileType = '';
+    fileBase64 = '';
+    // Send stays disabled until the selected file has been read
+    @track isReadingFile = false;
+    // Draft text and reply target last stored in Salesforce, to skip unchanged saves
+    syncedDraft = null;
+    // Pending local draft save and the thread it belongs to
+    draftSaveTimeout = null;
+    draftThreadId = null;
+    @track displayMessages = [];
+    @track isLoadingOlder = false;
+    olderMessages = [];
+    latestMessages = [];
+    hasMoreMessages = false;
+    pendingScroll = null;
+    newestMessageId = null;
+    loadedThreadId = null;
+    // Inbound messages after unreadSince get the unread divider; readUpTo is what has been marked read
+    unreadSince = null;
+    @track readUpTo = null;
 
     wiredConversation;
     refreshInterval;
+    subscription = null;
+    isSubscribing = false;
+    boundHandleVisibilityChange = null;
 
     connectedCallback() {
         console.log('🔗 TelegramConversation connected for record:', this.recordId);
@@ -34,14 +103,78 @@ export default class TelegramConversation extends LightningElement {
         if (this.hasValidRecordId) {
             this.loadConversation();
         }
+        onError((error) => {
+            console.error('❌ Streaming error, falling back to polling:', JSON.stringify(error));
+            this.subscription = null;
+            this.startPolling();
+        });
+        this.subscribeToMessageEvents();
+        this.boundHandleVisibilityChange = this.handleVisibilityChange.bind(this);
+        document.addEventListener('visibilitychange', this.boundHandleVisibilityChange);
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('visibilitychange', this.boundHandleVisibilityChange);
+        this.flushDraft();
+        this.syncDraft();
+        this.stopPolling();
+        if (this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+
+    // Subscribe to new message events; poll until the subscription is up
+    subscribeToMessageEvents() {
+        if (this.isSubscribing) {
+            return;
+        }
+        this.isSubscribing = true;
+        subscribe(MESSAGE_EVENT_CHANNEL, -1, (event) => this.handleMessageEvent(event))
+            .then((response) => {
+                console.log('📡 Subscribed to message events:', response?.channel);
+                this.subscription = response;
+                this.stopPolling();
+            })
+            .catch((error) => {
+                console.error('❌ Error subscribing to message events:', error);
+                this.startPolling();
+            })
+            .finally(() => {
+                this.isSubscribing = false;
+            });
+    }
+
+    // Only refresh when the event belongs to the thread on screen
+    handleMessageEvent(event) {
+        const payload = event?.data?.payload;
+        const threadId = payload?.Thread_ID__c;
+        // Read receipts don't change the messages on screen
+        if (payload?.Direction__c === 'Read') {
+            return;
+        }
+        if (threadId && threadId === this.conversationData?.thread?.id) {
+            console.log('📡 Message event for current thread:', threadId);
+            this.refreshConversation();
+        }
+    }
+
+    startPolling() {
+        if (this.refreshInterval) {
+            return;
+        }
         this.refreshInterval = setInterval(() => {
             this.refreshConversation();
-        }, 10000);
+            if (!this.subscription) {
+                this.subscribeToMessageEvents();
+            }
+        }, FALLBACK_POLL_INTERVAL);
     }
 
-    disconnectedCallback() {
+    stopPolling() {
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
         }
     }
 
@@ -70,9 +203,7 @@ export default class TelegramConversation extends LightningElement {
             console.log('✅ Messages count:', this.conversationData.messages?.length);
             console.log('✅ Error message:', this.conversationData.error);
             
-            setTimeout(() => {
-                this.scrollToBottom();
-            }, 100);
+            this.rebuildMessages();
             
         } else if (result.error) {
             console.error('❌ Error loading conversation:', result.error);
@@ -84,6 +215,151 @@ export default class TelegramConversation extends LightningElement {
         }
     }
 
+    renderedCallback() {
+        if (!this.pendingScroll) {
+            return;
+        }
+        const container = this.template.querySelector('.message-container');
+        if (!container) {
+            return;
+        }
+        if (this.pendingScroll === 'bottom') {
+            container.scrollTop = container.scrollHeight;
+        } else {
+            // Keep the message the agent was looking at in place after older messages are prepended
+            container.scrollTop = container.scrollHeight - this.pendingScroll.previousHeight + this.pendingScroll.previousTop;
+        }
+        this.pendingScroll = null;
+    }
+
+    // Merge loaded history with the latest page and process it once per data change
+    rebuildMessages() {
+        const threadId = this.conversationData?.thread?.id;
+        const isNewThread = threadId !== this.loadedThreadId;
+        if (isNewThread) {
+            // The pending draft belongs to the thread that was open
+            this.flushDraft();
+            this.olderMessages = [];
+            this.latestMessages = [];
+            this.loadedThreadId = threadId;
+            const lastReadDate = this.conversationData?.lastReadDate;
+            this.unreadSince = lastReadDate ? Date.parse(lastReadDate) : null;
+            this.readUpTo = this.unreadSince;
+            this.restoreDraft();
+        }
+
+        const latest = this.conversationData?.messages || [];
+        const latestIds = new Set(latest.map(msg => msg.id));
+        if (this.olderMessages.length) {
+            // Messages pushed out of the latest page by new ones stay on screen as part of the history
+            this.olderMessages = [...this.olderMessages, ...this.latestMessages].filter(msg => !latestIds.has(msg.id));
+        } else {
+            this.hasMoreMessages = this.conversationData?.hasMoreMessages === true;
+        }
+        this.latestMessages = latest;
+        this.displayMessages = this.processMessages([...this.olderMessages, ...latest]);
+
+        // Follow new messages only when the agent is already at the bottom, or just sent one.
+        // Otherwise the unread badge and divider show what arrived while they were scrolled up.
+        const newest = latest.length ? latest[latest.length - 1] : null;
+        if ((newest?.id ?? null) !== this.newestMessageId) {
+            this.newestMessageId = newest?.id ?? null;
+            if (isNewThread || newest?.isOutbound || (this.isScrolledToBottom() && document.visibilityState !== 'hidden')) {
+                this.pendingScroll = 'bottom';
+                this.markMessagesRead();
+            }
+        }
+    }
+
+    // Measured before the new messages render, so it tells where the agent was reading
+    isScrolledToBottom() {
+        const container = this.template.querySelector('.message-container');
+        if (!container) {
+            return true;
+        }
+        return container.scrollHeight - container.scrollTop - container.clientHeight <= READ_THRESHOLD;
+    }
+
+    // Messages that arrived while the tab was in the background count as read once the agent is back at the bottom
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && this.isScrolledToBottom()) {
+            this.markMessagesRead();
+        }
+    }
+
+    handleMessageScroll(event) {
+        const container = event.target;
+        if (container.scrollTop <= LOAD_OLDER_THRESHOLD) {
+            this.loadOlderMessages();
+        }
+        if (this.isScrolledToBottom()) {
+            this.markMessagesRead();
+        }
+    }
+
+    // Mark the thread read up to the newest customer message once it is on screen
+    markMessagesRead() {
+        const threadId = this.conversationData?.thread?.id;
+        if (!threadId || document.visibilityState === 'hidden') {
+            return;
+        }
+        const newestInbound = this.displayMessages.filter(msg => msg.isInbound).pop();
+        if (!newestInbound) {
+            return;
+        }
+        const timestamp = Date.parse(newestInbound.messageTimestamp);
+        if (this.readUpTo !== null && timestamp <= this.readUpTo) {
+            return;
+        }
+        this.readUpTo = timestamp;
+        markThreadRead({ threadId, readUpTo: newestInbound.messageTimestamp })
+            .catch(error => {
+                console.error('❌ Error marking messages read:', error);
+            });
+    }
+
+    scrollToLatest() {
+        this.pendingScroll = 'bottom';
+        this.markMessagesRead();
+        // Re-render so renderedCallback applies the scroll
+        this.displayMessages = [...this.displayMessages];
+    }
+
+    // Load the page of messages before the oldest one on screen
+    async loadOlderMessages() {
+        if (this.isLoadingOlder || !this.hasMoreMessages || !this.displayMessages.length) {
+            return;
+        }
+
+        const container = this.template.querySelector('.message-container');
+        this.isLoadingOlder = true;
+
+        try {
+            const page = await getMessagesBefore({
+                threadId: this.conversationData.thread.id,
+                beforeTimestamp: this.displayMessages[0].messageTimestamp,
+                beforeMessageId: this.displayMessages[0].id,
+                pageSize: MESSAGE_PAGE_SIZE
+            });
+            console.log('📜 Loaded older messages:', page.messages?.length);
+
+            this.olderMessages = [...(page.messages || []), ...this.olderMessages];
+            this.hasMoreMessages = page.hasMore === true;
+            if (container) {
+                this.pendingScroll = {
+                    previousHeight: container.scrollHeight,
+                    previousTop: container.scrollTop
+                };
+            }
+            this.rebuildMessages();
+        } catch (error) {
+            console.error('❌ Error loading older messages:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isLoadingOlder = false;
+        }
+    }
+
     // Load conversation data
     loadConversation() {
         if (!this.hasValidRecordId) {
@@ -121,11 +397,11 @@ export default class TelegramConversation extends LightningElement {
             const result = await startNewSession({ threadId: this.conversationData.thread.id });
             console.log('Start session result:', result);
             
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.showToast('Success', 'New session started', 'success');
                 this.loadConversation();
             } else {
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                this.showToast('Error', result.message, 'error');
                 this.isLoading = false;
             }
         } catch (error) {
@@ -149,11 +425,11 @@ export default class TelegramConversation extends LightningElement {
             const result = await endSession({ threadId: this.conversationData.thread.id });
             console.log('End session result:', result);
             
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.showToast('Success', 'Session ended successfully', 'success');
                 this.loadConversation();
             } else {
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                this.showToast('Error', result.message, 'error');
                 this.isLoading = false;
             }
         } catch (error) {
@@ -163,9 +439,128 @@ export default class TelegramConversation extends LightningElement {
         }
     }
 
+    // Transfer handlers
+    toggleTransfer() {
+        this.showTransfer = !this.showTransfer;
+    }
+
+    closeTransfer() {
+        this.showTransfer = false;
+    }
+
+    handleTransfer(event) {
+        this.showTransfer = false;
+        this.showToast('Success', event.detail.message, 'success');
+        this.loadConversation();
+    }
+
     // Handle message input
     handleMessageInput(event) {
         this.messageText = event.target.value;
+        if (this.isNoteMode) {
+            this.updateMentionSuggestions();
+        }
+        this.persistDraft();
+    }
+
+    handleMessageBlur() {
+        this.flushDraft();
+        this.syncDraft();
+    }
+
+    // ============ DRAFTS ============
+
+    // Bring back what the agent had typed on this thread, unless the composer is already in use
+    restoreDraft() {
+        const threadId = this.conversationData?.thread?.id;
+        if (!threadId || this.messageText || this.selectedFile || this.replyTarget) {
+            return;
+        }
+        const local = loadDraft(threadId);
+        const server = this.conversationData?.draft;
+        this.syncedDraft = server ? JSON.stringify({ text: server.messageText || '', replyToId: server.replyToMessageId || null }) : null;
+
+        // Text and reply target come from the most recently saved draft; attachments only live in this browser
+        if (server && (!local || Date.parse(server.lastModifiedDate) > local.savedAt)) {
+            this.messageText = server.messageText || '';
+            this.replyTarget = server.replyToMessageId
+                ? {
+                    id: server.replyToMessageId,
+                    text: server.replyToText,
+                    author: server.replyToInbound ? 'Customer' : this.displayAgentName
+                }
+                : null;
+        } else if (local) {
+            this.messageText = local.text || '';
+            this.replyTarget = local.replyTarget || null;
+        }
+
+        if (local?.fileBase64) {
+            // Only checked for presence; the file itself is sent from fileBase64
+            this.selectedFile = { name: local.fileName };
+            this.fileName = local.fileName;
+            this.fileType = local.fileType;
+            this.fileBase64 = local.fileBase64;
+            if (local.fileType?.startsWith('image/')) {
+                this.filePreviewUrl = `data:${local.fileType};base64,${local.fileBase64}`;
+            }
+        }
+    }
+
+    // Keep the composer text and reply target in the browser once typing pauses; notes and edits are not drafts
+    persistDraft() {
+        if (this.isNoteMode || this.editTarget) {
+            return;
+        }
+        clearTimeout(this.draftSaveTimeout);
+        this.draftThreadId = this.conversationData?.thread?.id;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.draftSaveTimeout = setTimeout(() => this.flushDraft(), DRAFT_SAVE_DELAY);
+    }
+
+    // Write a pending draft save straight away
+    flushDraft() {
+        if (!this.draftSaveTimeout) {
+            return;
+        }
+        clearTimeout(this.draftSaveTimeout);
+        this.draftSaveTimeout = null;
+        saveDraft(this.draftThreadId, { text: this.messageText, replyTarget: this.replyTarget });
+    }
+
+    // The attachment is stored once when it is picked or removed, not with every text change
+    persistDraftAttachment() {
+        if (this.isNoteMode || this.editTarget) {
+            return;
+        }
+        saveDraftAttachment(this.conversationData?.thread?.id, this.fileBase64
+            ? { fileName: this.fileName, fileType: this.fileType, fileBase64: this.fileBase64 }
+            : null);
+    }
+
+    // Store the draft text in Salesforce when the agent leaves the composer, if the org keeps drafts there
+    syncDraft() {
+        const threadId = this.conversationData?.thread?.id;
+        if (!threadId || !this.conversationData?.syncDrafts || this.isNoteMode || this.editTarget) {
+            return;
+        }
+        const draft = JSON.stringify({ text: this.messageText, replyToId: this.replyTarget?.id || null });
+        if (draft === (this.syncedDraft ?? JSON.stringify({ text: '', replyToId: null }))) {
+            return;
+        }
+        this.syncedDraft = draft;
+        saveServerDraft({ threadId, messageText: this.messageText, replyToMessageId: this.replyTarget?.id })
+            .catch(error => {
+                console.error('❌ Error saving draft:', error);
+                this.syncedDraft = null;
+            });
+    }
+
+    discardDraft() {
+        clearTimeout(this.draftSaveTimeout);
+        this.draftSaveTimeout = null;
+        clearDraft(this.conversationData?.thread?.id);
+        this.syncDraft();
     }
 
     // Handle Enter key to send message
@@ -178,7 +573,19 @@ export default class TelegramConversation extends LightningElement {
 
     // Send message
     async sendMessage() {
-        if ((!this.messageText.trim() && !this.attachmentUrl) || !this.conversationData?.thread?.id) {
+        if (this.editTarget) {
+            await this.saveEdit();
+            return;
+        }
+        if (this.isNoteMode) {
+            await this.saveNote();
+            return;
+        }
+
+        if (this.isReadingFile) {
+            return;
+        }
+        if ((!this.messageText.trim() && !this.selectedFile) || !this.conversationData?.thread?.id) {
             this.showToast('Error', 'Please enter a message and ensure conversation is loaded', 'error');
             return;
         }
@@ -186,26 +593,44 @@ export default class TelegramConversation extends LightningElement {
         this.isSending = true;
         console.log('🚀 Sending message:', this.messageText);
         console.log('🚀 Thread ID:', this.conversationData.thread.id);
-        console.log('🚀 Attachment URL:', this.attachmentUrl);
+        console.log('🚀 Attachment:', this.fileName);
 
         try {
+            let contentVersionId = null;
+            if (this.selectedFile) {
+                const attachment = await uploadAttachment({
+                    threadId: this.conversationData.thread.id,
+                    fileName: this.fileName,
+                    base64Data: this.fileBase64
+                });
+                console.log('📎 Attachment uploaded:', attachment);
+                contentVersionId = attachment.contentVersionId;
+            }
+
             const result = await sendMessage({
                 threadId: this.conversationData.thread.id,
                 messageText: this.messageText,
-                attachmentUrl: this.attachmentUrl
+                contentVersionId: contentVersionId,
+                replyToMessageId: this.replyTarget?.id,
+                buttonsJson: this.hasKeyboardButtons ? JSON.stringify(this.keyboardButtonPayload) : null
             });
 
             console.log('📩 Send message result:', result);
 
-            if (result.includes('SUCCESS')) {
+            if (result.success) {
                 this.messageText = '';
                 this.clearAttachment();
+                this.cancelReply();
+                this.clearKeyboardButtons();
+                this.discardDraft();
+                // Replying means the agent has caught up
+                this.unreadSince = null;
                 this.loadConversation();
-                this.showToast('Success', 'Message sent!', 'success');
-                console.log('✅ Message sent successfully');
+                this.showToast('Success', 'Message queued. The status icon shows when Telegram delivers it.', 'success');
+                console.log('✅ Message queued');
             } else {
-                console.error('❌ Send failed:', result);
-                this.showToast('Error', result.replace('ERROR: ', ''), 'error');
+                console.error('❌ Send failed:', result.errorCode, result.message);
+                this.showToast('Error', result.message, 'error');
             }
         } catch (error) {
             console.error('❌ Error sending message:', error);
@@ -216,6 +641,285 @@ export default class TelegramConversation extends LightningElement {
         }
     }
 
+    // Reply handlers
+    handleReply(event) {
+        const msg = this.displayMessages.find(item => item.id === event.currentTarget.dataset.id);
+        if (msg) {
+            if (this.editTarget) {
+                this.cancelEdit();
+            }
+            this.exitNoteMode();
+            this.replyTarget = {
+                id: msg.id,
+                text: msg.text || msg.attachmentName,
+                author: msg.isInbound ? 'Customer' : this.displayAgentName
+            };
+            this.persistDraft();
+            const input = this.template.querySelector('.message-input');
+            if (input) {
+                input.focus();
+            }
+        }
+    }
+
+    cancelReply() {
+        this.replyTarget = null;
+        this.persistDraft();
+    }
+
+    // Resend a message Telegram did not accept
+    async handleRetry(event) {
+        const messageId = event.currentTarget.dataset.id;
+        try {
+            const result = await retryMessage({ messageId });
+            console.log('🔁 Retry message result:', result);
+
+            if (result.success) {
+                this.loadConversation();
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error retrying message:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
+    }
+
+    // Edit / delete handlers
+    handleEdit(event) {
+        const msg = this.displayMessages.find(item => item.id === event.currentTarget.dataset.id);
+        if (msg && msg.canEdit) {
+            this.exitNoteMode();
+            this.cancelReply();
+            this.clearAttachment();
+            this.clearKeyboardButtons();
+            // Save the draft before the composer holds the edit
+            this.flushDraft();
+            this.editTarget = { id: msg.id, text: msg.text };
+            this.messageText = msg.text || '';
+        }
+    }
+
+    cancelEdit() {
+        this.editTarget = null;
+        this.messageText = '';
+    }
+
+    async saveEdit() {
+        if (!this.messageText.trim()) {
+            this.showToast('Error', 'The edited message cannot be empty', 'error');
+            return;
+        }
+
+        this.isSending = true;
+        try {
+            const result = await editMessage({
+                messageId: this.editTarget.id,
+                newText: this.messageText
+            });
+            console.log('✏️ Edit message result:', result);
+
+            if (result.success) {
+                this.cancelEdit();
+                this.loadConversation();
+                this.showToast('Success', 'Message edited', 'success');
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error editing message:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isSending = false;
+        }
+    }
+
+    async handleDelete(event) {
+        const messageId = event.currentTarget.dataset.id;
+        const confirmed = await LightningConfirm.open({
+            message: 'Delete this message for the customer? It will stay in the history marked as deleted.',
+            variant: 'header',
+            theme: 'warning',
+            label: 'Delete message'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const result = await deleteMessage({ messageId });
+            console.log('🗑️ Delete message result:', result);
+
+            if (result.success) {
+                if (this.editTarget?.id === messageId) {
+                    this.cancelEdit();
+                }
+                this.loadConversation();
+                this.showToast('Success', 'Message deleted', 'success');
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error deleting message:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
+    }
+
+    // Internal note handlers
+    toggleNoteMode() {
+        if (this.isNoteMode) {
+            this.exitNoteMode();
+            return;
+        }
+        // Notes are text only and never reach the customer
+        this.cancelReply();
+        this.clearAttachment();
+        this.clearKeyboardButtons();
+        this.flushDraft();
+        this.isNoteMode = true;
+    }
+
+    exitNoteMode() {
+        this.isNoteMode = false;
+        this.mentionedUsers = [];
+        this.clearMentionSuggestions();
+    }
+
+    async saveNote() {
+        if (!this.messageText.trim()) {
+            this.showToast('Error', 'Please enter a note', 'error');
+            return;
+        }
+
+        this.isSending = true;
+        try {
+            // Only mentions still present in the text get a notification
+            const mentionedUserIds = this.mentionedUsers
+                .filter(user => this.messageText.includes(`@${user.name}`))
+                .map(user => user.id);
+
+            const result = await addNote({
+                threadId: this.conversationData.thread.id,
+                noteText: this.messageText,
+                mentionedUserIds
+            });
+            console.log('📝 Add note result:', result);
+
+            if (result.success) {
+                this.messageText = '';
+                this.mentionedUsers = [];
+                this.clearMentionSuggestions();
+                this.loadConversation();
+                this.showToast('Success', 'Note added', 'success');
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error adding note:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        } finally {
+            this.isSending = false;
+        }
+    }
+
+    // Suggest users while an @mention is being typed
+    async updateMentionSuggestions() {
+        const match = MENTION_PATTERN.exec(this.messageText);
+        if (!match || !match[1]) {
+            this.clearMentionSuggestions();
+            return;
+        }
+
+        const query = match[1];
+        this.mentionQuery = query;
+        try {
+            const users = await searchUsers({ searchTerm: query });
+            // Ignore results for a query the agent has typed past
+            if (this.mentionQuery === query) {
+                this.mentionSuggestions = users;
+            }
+        } catch (error) {
+            console.error('❌ Error searching users:', error);
+            this.clearMentionSuggestions();
+        }
+    }
+
+    handleMentionSelect(event) {
+        const { id, name } = event.currentTarget.dataset;
+        this.messageText = this.messageText.replace(MENTION_PATTERN, `@${name} `);
+        if (!this.mentionedUsers.some(user => user.id === id)) {
+            this.mentionedUsers = [...this.mentionedUsers, { id, name }];
+        }
+        this.clearMentionSuggestions();
+        const input = this.template.querySelector('.message-input');
+        if (input) {
+            input.focus();
+        }
+    }
+
+    clearMentionSuggestions() {
+        this.mentionQuery = null;
+        this.mentionSuggestions = [];
+    }
+
+    // Transcript handlers
+    handleTranscriptAction(event) {
+        const sessionNumber = Number(event.currentTarget.dataset.session);
+        const action = event.detail.value;
+        if (action === 'send') {
+            this.sendTranscript(sessionNumber);
+        } else {
+            this.downloadTranscript(sessionNumber, action === 'download');
+        }
+    }
+
+    async downloadTranscript(sessionNumber, includeNotes) {
+        try {
+            const transcript = await getTranscript({
+                threadId: this.conversationData.thread.id,
+                sessionNumber,
+                includeNotes
+            });
+            const link = document.createElement('a');
+            link.href = 'data:text/plain;charset=utf-8,' + encodeURIComponent(transcript.content);
+            link.download = transcript.fileName;
+            link.click();
+        } catch (error) {
+            console.error('❌ Error downloading transcript:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
+    }
+
+    async sendTranscript(sessionNumber) {
+        const confirmed = await LightningConfirm.open({
+            message: `Send the transcript of session ${sessionNumber} to the customer? Internal notes are left out.`,
+            variant: 'header',
+            theme: 'info',
+            label: 'Send transcript'
+        });
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            const result = await sendTranscriptToCustomer({
+                threadId: this.conversationData.thread.id,
+                sessionNumber
+            });
+            console.log('📄 Send transcript result:', result);
+
+            if (result.success) {
+                this.loadConversation();
+                this.showToast('Success', result.message, 'success');
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error sending transcript:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
+    }
+
     // File attachment handlers
     handleFileClick() {
         const fileInput = this.template.querySelector('input[type="file"]');
@@ -226,43 +930,171 @@ export default class TelegramConversation extends LightningElement {
 
     handleFileChange(event) {
         const file = event.target.files[0];
-        if (file) {
-            this.selectedFile = file;
-            this.fileName = file.name;
-            
+        if (!file) {
+            return;
+        }
+
+        const sizeError = this.validateFileSize(file);
+        if (sizeError) {
+            this.showToast('File too large', sizeError, 'error');
+            this.clearAttachment();
+            return;
+        }
+
+        this.selectedFile = file;
+        this.fileName = file.name;
+        this.fileType = file.type;
+        this.fileBase64 = '';
+        this.isReadingFile = true;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            // Ignore the result when the file was removed or replaced in the meantime
+            if (this.selectedFile !== file) {
+                return;
+            }
+            const dataUrl = e.target.result;
+            this.fileBase64 = dataUrl.split(',')[1];
+            this.isReadingFile = false;
             // Create preview for images
             if (file.type.startsWith('image/')) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    this.filePreviewUrl = e.target.result;
-                };
-                reader.readAsDataURL(file);
+                this.filePreviewUrl = dataUrl;
             }
-            
-            this.attachmentUrl = `file://${file.name}`;
+            this.persistDraftAttachment();
+        };
+        reader.onerror = () => {
+            if (this.selectedFile !== file) {
+                return;
+            }
+            console.error('❌ Error reading file:', reader.error);
+            this.showToast('Error', 'The file could not be read. Please attach it again.', 'error');
+            this.clearAttachment();
+        };
+        reader.readAsDataURL(file);
+    }
+
+    // Returns an error message when the file is too large to upload. Telegram takes larger multipart
+    // uploads (10 MB photos, 50 MB files), so only our own limit applies.
+    validateFileSize(file) {
+        if (file.size > MAX_UPLOAD_SIZE) {
+            return `Attachments can be at most ${MAX_UPLOAD_SIZE / MB} MB.`;
         }
+        return null;
     }
 
     clearAttachment() {
         this.selectedFile = null;
+        this.isReadingFile = false;
         this.fileName = '';
         this.filePreviewUrl = '';
-        this.attachmentUrl = '';
+        this.fileType = '';
+        this.fileBase64 = '';
+        this.persistDraftAttachment();
         const fileInput = this.template.querySelector('input[type="file"]');
         if (fileInput) {
             fileInput.value = '';
         }
     }
 
+    // Inline keyboard builder
+    toggleButtonBuilder() {
+        this.showButtonBuilder = !this.showButtonBuilder;
+        if (this.showButtonBuilder && !this.keyboardButtons.length) {
+            this.addKeyboardButton();
+        }
+    }
+
+    addKeyboardButton() {
+        if (this.keyboardButtons.length >= MAX_KEYBOARD_BUTTONS) {
+            this.showToast('Error', `A message can have at most ${MAX_KEYBOARD_BUTTONS} buttons`, 'error');
+            return;
+        }
+        this.buttonKeySeed += 1;
+        this.keyboardButtons = [...this.keyboardButtons, { key: `button-${this.buttonKeySeed}`, text: '' }];
+    }
+
+    handleKeyboardButtonChange(event) {
+        const key = event.target.dataset.key;
+        this.keyboardButtons = this.keyboardButtons.map(button => (
+            button.key === key ? { ...button, text: event.target.value } : button
+        ));
+    }
+
+    removeKeyboardButton(event) {
+        const key = event.currentTarget.dataset.key;
+        this.keyboardButtons = this.keyboardButtons.filter(button => button.key !== key);
+    }
+
+    clearKeyboardButtons() {
+        this.keyboardButtons = [];
+        this.showButtonBuilder = false;
+    }
+
+    // Quick reply handlers
+    toggleQuickReplies() {
+        this.showQuickReplies = !this.showQuickReplies;
+        this.showEmojiPicker = false;
+    }
+
+    // Fill merge fields from the current record, then put the text in the composer
+    async handleQuickReplySelect(event) {
+        this.showQuickReplies = false;
+        try {
+            const resolved = await resolveMergeFields({
+                recordId: this.recordId,
+                templateText: event.detail.message
+            });
+            this.messageText = this.messageText.trim()
+                ? `${this.messageText} ${resolved.text}`
+                : resolved.text;
+            this.persistDraft();
+
+            if (resolved.unresolvedFields?.length) {
+                this.showToast(
+                    'Check the message',
+                    `Some fields could not be filled in for this ${this.recordType}: ${resolved.unresolvedFields.join(', ')}`,
+                    'warning'
+                );
+            }
+        } catch (error) {
+            console.error('❌ Error resolving quick reply:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
+    }
+
     // Emoji handlers
     toggleEmojiPicker() {
         this.showEmojiPicker = !this.showEmojiPicker;
+        this.showQuickReplies = false;
     }
 
     handleEmojiSelect(event) {
-        const emoji = event.currentTarget.dataset.emoji;
-        this.messageText += emoji;
+        this.messageText += event.detail.emoji;
+        this.persistDraft();
+        this.showEmojiPicker = false;
+    }
+
+    // Stickers go out straight away, on their own like in Telegram
+    async handleStickerSelect(event) {
+        const threadId = this.conversationData?.thread?.id;
+        if (!threadId || !this.hasActiveSession) {
+            this.showToast('Error', 'Start a session before sending a sticker', 'error');
+            return;
+        }
         this.showEmojiPicker = false;
+        try {
+            const result = await sendSticker({ threadId, stickerId: event.detail.id });
+            console.log('🎨 Send sticker result:', result);
+            if (result.success) {
+                this.unreadSince = null;
+                this.loadConversation();
+            } else {
+                this.showToast('Error', result.message, 'error');
+            }
+        } catch (error) {
+            console.error('❌ Error sending sticker:', error);
+            this.showToast('Error', this.extractErrorMessage(error), 'error');
+        }
     }
 
     // Close emoji picker when clicking outside
@@ -271,6 +1103,10 @@ export default class TelegramConversation extends LightningElement {
         if (emojiPicker && !event.composedPath().includes(emojiPicker)) {
             this.showEmojiPicker = false;
         }
+        const quickReplies = this.template.querySelector('.quick-reply-picker');
+        if (quickReplies && !event.composedPath().includes(quickReplies)) {
+            this.showQuickReplies = false;
+        }
     }
 
     // Utility methods
@@ -304,31 +1140,33 @@ export default class TelegramConversation extends LightningElement {
 
     // ============ GETTERS ============
 
+    // Which objects can host a conversation is configured on the server, which answers with an error otherwise
     get hasValidRecordId() {
-        return this.recordId && (this.recordId.startsWith('00Q') || this.recordId.startsWith('500'));
+        return !!this.recordId;
     }
 
     get isWaitingForRecord() {
         return !this.recordId;
     }
 
+    get recordObjectApiName() {
+        return this.objectApiName || this.conversationData?.objectApiName;
+    }
+
     get isLead() {
-        return this.recordId && this.recordId.startsWith('00Q');
+        return this.recordObjectApiName === 'Lead';
     }
 
     get isCase() {
-        return this.recordId && this.recordId.startsWith('500');
+        return this.recordObjectApiName === 'Case';
     }
 
     get isContact() {
-        return this.recordId && this.recordId.startsWith('003');
+        return this.recordObjectApiName === 'Contact';
     }
 
     get recordType() {
-        if (this.isLead) return 'Lead';
-        if (this.isCase) return 'Case';
-        if (this.isContact) return 'Contact';
-        return 'Record';
+        return this.conversationData?.objectLabel || this.recordObjectApiName || 'Record';
     }
     get displayAgentName() {
         return this.conversationData?.thread?.currentUserName || 'Agent';
@@ -337,6 +1175,11 @@ export default class TelegramConversation extends LightningElement {
         return `Telegram Conversation - ${this.recordType}`;
     }
 
+    // Transcripts of ended sessions can be sent too; only a chat is needed
+    get cannotSendTranscript() {
+        return !this.conversationData?.thread?.hasChatId;
+    }
+
     get hasActiveSession() {
         return this.conversationData?.hasActiveSession === true;
     }
@@ -349,12 +1192,76 @@ export default class TelegramConversation extends LightningElement {
         return this.conversationData?.messages || [];
     }
 
+    get isOutsideBusinessHours() {
+        return this.thread?.id && this.conversationData?.businessHours?.isOpen === false;
+    }
+
+    get businessHoursText() {
+        const hours = this.conversationData?.businessHours;
+        return `Outside business hours (${hours?.name}). Back ${hours?.nextOpen || 'soon'}.`;
+    }
+
     get isSendDisabled() {
-        return this.isSending || (!this.messageText.trim() && !this.attachmentUrl) || !this.hasActiveSession;
+        return this.isSending || this.isReadingFile || (!this.messageText.trim() && !this.selectedFile) || !this.hasActiveSession;
+    }
+
+    get sendButtonLabel() {
+        if (this.editTarget) return 'Save edit';
+        return this.isNoteMode ? 'Save note' : 'Send message';
+    }
+
+    get messagePlaceholder() {
+        return this.isNoteMode
+            ? 'Write an internal note, use @ to mention a teammate...'
+            : 'Type your message...';
+    }
+
+    get actionBarClass() {
+        return this.isNoteMode ? 'action-bar action-bar-note' : 'action-bar';
+    }
+
+    get noteToggleVariant() {
+        return this.isNoteMode ? 'brand' : 'border';
+    }
+
+    get noteToggleLabel() {
+        return this.isNoteMode ? 'Back to customer message' : 'Internal note';
+    }
+
+    get hasMentionSuggestions() {
+        return this.mentionSuggestions.length > 0;
+    }
+
+    get isComposerOptionDisabled() {
+        return this.isNoteMode || !!this.editTarget;
     }
 
     get hasAttachment() {
-        return this.selectedFile || this.attachmentUrl;
+        return !!this.selectedFile;
+    }
+
+    // Customer messages that arrived while the agent was scrolled up
+    get unreadCount() {
+        if (this.readUpTo === null) {
+            return 0;
+        }
+        return this.displayMessages
+            .filter(msg => msg.isInbound && Date.parse(msg.messageTimestamp) > this.readUpTo)
+            .length;
+    }
+
+    get unreadBadgeLabel() {
+        return `${this.unreadCount} unread`;
+    }
+
+    get keyboardButtonPayload() {
+        return this.keyboardButtons
+            .filter(button => button.text.trim())
+            .map(button => ({ text: button.text.trim() }));
+    }
+
+    get hasKeyboardButtons() {
+        return this.keyboardButtonPayload.length > 0;
     }
 
     get sendButtonClass() {
@@ -382,15 +1289,30 @@ export default class TelegramConversation extends LightningElement {
     }
 
     get hasNoMessages() {
-        return this.processedMessages.length === 0;
+        return this.displayMessages.length === 0;
     }
 
     // Message processing for status icons
     processMessages(messages) {
         if (!messages) return [];
-        return messages.map(msg => ({
+        const now = Date.now();
+        const firstUnread = this.unreadSince === null
+            ? null
+            : messages.find(msg => msg.isInbound && Date.parse(msg.messageTimestamp) > this.unreadSince);
+        return messages.map((msg, index) => ({
             ...msg,
-            statusIcon: this.getStatusIcon(msg.status)
+            // Each session starts with a header carrying its transcript actions
+            showSessionHeader: index === 0 || msg.sessionNumber !== messages[index - 1].sessionNumber,
+            sessionLabel: `Session ${msg.sessionNumber}`,
+            showUnreadDivider: msg === firstUnread,
+            statusIcon: this.getStatusIcon(msg.status),
+            // The page can stay open past the 48-hour edit window
+            canEdit: msg.canEdit && new Date(msg.editableUntil).getTime() > now,
+            textClass: msg.isDeleted ? 'message-text message-text-deleted' : 'message-text',
+            isFileChip: msg.hasAttachment && !msg.isImageAttachment && !msg.isSticker && !msg.isAudio && !msg.isVideo,
+            mapMarkers: msg.isLocation
+                ? [{ location: { Latitude: msg.latitude, Longitude: msg.longitude }, title: 'Shared location' }]
+                : null
         }));
     }
 
@@ -402,8 +1324,4 @@ export default class TelegramConversation extends LightningElement {
             default: return 'utility:success';
         }
     }
-
-    get processedMessages() {
-        return this.processMessages(this.messages);
-    }
 }
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { loadDraft, saveDraft, saveDraftAttachment, clearDraft, hasDraft } from 'c/telegramDrafts';
+
+describe('c-telegram-drafts', () => {
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    it('keeps a draft per thread until it is cleared', () => {
+        const replyTarget = { id: 'a0M1', text: 'When is my appointment?', author: 'Customer' };
+        saveDraft('a0T1', { text: 'Tomorrow at 10', replyTarget });
+
+        expect(loadDraft('a0T1')).toMatchObject({ text: 'Tomorrow at 10', replyTarget });
+        expect(loadDraft('a0T2')).toBeNull();
+        expect(hasDraft('a0T1')).toBe(true);
+
+        clearDraft('a0T1');
+        expect(loadDraft('a0T1')).toBeNull();
+    });
+
+    it('removes the draft once the composer is empty', () => {
+        saveDraft('a0T1', { text: 'Tomorrow' });
+        saveDraft('a0T1', { text: '', replyTarget: null });
+
+        expect(hasDraft('a0T1')).toBe(false);
+    });
+
+    it('leaves large attachments out of the draft', () => {
+        saveDraft('a0T1', { text: 'See attached' });
+        saveDraftAttachment('a0T1', { fileName: 'scan.pdf', fileType: 'application/pdf', fileBase64: 'A'.repeat(2 * 1024 * 1024) });
+
+        const draft = loadDraft('a0T1');
+        expect(draft.text).toBe('See attached');
+        expect(draft.fileName).toBeUndefined();
+        expect(draft.fileBase64).toBeUndefined();
+    });
+
+    it('keeps the attachment while the text changes and clears both together', () => {
+        saveDraftAttachment('a0T1', { fileName: 'id.png', fileType: 'image/png', fileBase64: 'iVBORw0KGgo=' });
+        saveDraft('a0T1', { text: 'Here is my ID' });
+        saveDraft('a0T1', { text: '' });
+
+        expect(loadDraft('a0T1')).toEqual({ fileName: 'id.png', fileType: 'image/png', fileBase64: 'iVBORw0KGgo=' });
+        expect(hasDraft('a0T1')).toBe(true);
+
+        clearDraft('a0T1');
+        expect(loadDraft('a0T1')).toBeNull();
+    });
+});
\ No newline at end of file
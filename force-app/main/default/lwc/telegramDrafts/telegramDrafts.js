@@ -0,0 +1,85 @@
+import USER_ID from '@salesforce/user/Id';
+
+// Drafts are kept per agent and per thread in the browser's local storage
+const STORAGE_PREFIX = 'telegramDraft_';
+// The attachment has its own entry, so saving the text as the agent types never rewrites the file
+const ATTACHMENT_PREFIX = 'telegramDraftFile_';
+// Larger attachments are dropped from the draft rather than filling up local storage
+const MAX_DRAFT_ATTACHMENT_LENGTH = 1024 * 1024;
+
+function getStorageKey(threadId) {
+    return `${STORAGE_PREFIX}${USER_ID}_${threadId}`;
+}
+
+function getAttachmentKey(threadId) {
+    return `${ATTACHMENT_PREFIX}${USER_ID}_${threadId}`;
+}
+
+function readEntry(key) {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+}
+
+function writeEntry(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        // Storage full or disabled: the draft only lives as long as the component
+        console.error('❌ Could not save Telegram draft:', error);
+    }
+}
+
+function isEmpty(draft) {
+    return !draft || (!draft.text?.trim() && !draft.replyTarget && !draft.fileName);
+}
+
+// The agent's draft for the thread, text and attachment together, or null
+export function loadDraft(threadId) {
+    if (!threadId) {
+        return null;
+    }
+    try {
+        const draft = readEntry(getStorageKey(threadId));
+        const attachment = readEntry(getAttachmentKey(threadId));
+        return draft || attachment ? { ...attachment, ...draft } : null;
+    } catch (error) {
+        console.error('❌ Could not read Telegram draft:', error);
+        return null;
+    }
+}
+
+// Store the draft text and reply target, or remove them when there is nothing left to send
+export function saveDraft(threadId, draft) {
+    if (!threadId) {
+        return;
+    }
+    if (!draft?.text?.trim() && !draft?.replyTarget) {
+        localStorage.removeItem(getStorageKey(threadId));
+        return;
+    }
+    writeEntry(getStorageKey(threadId), { text: draft.text, replyTarget: draft.replyTarget, savedAt: Date.now() });
+}
+
+// Store the attachment picked for the draft ({ fileName, fileType, fileBase64 }), or remove it when null
+export function saveDraftAttachment(threadId, attachment) {
+    if (!threadId) {
+        return;
+    }
+    if (!attachment?.fileBase64 || attachment.fileBase64.length > MAX_DRAFT_ATTACHMENT_LENGTH) {
+        localStorage.removeItem(getAttachmentKey(threadId));
+        return;
+    }
+    const { fileName, fileType, fileBase64 } = attachment;
+    writeEntry(getAttachmentKey(threadId), { fileName, fileType, fileBase64 });
+}
+
+export function clearDraft(threadId) {
+    if (threadId) {
+        localStorage.removeItem(getStorageKey(threadId));
+        localStorage.removeItem(getAttachmentKey(threadId));
+    }
+}
+
+export function hasDraft(threadId) {
+    return !isEmpty(loadDraft(threadId));
+}
\ No newline at end of file
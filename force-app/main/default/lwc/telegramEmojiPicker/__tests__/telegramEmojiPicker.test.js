@@ -0,0 +1,89 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramEmojiPicker from 'c/telegramEmojiPicker';
+import getStickerTray from '@salesforce/apex/TelegramStickerService.getStickerTray';
+
+jest.mock(
+    '@salesforce/apex/TelegramStickerService.getStickerTray',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+describe('c-telegram-emoji-picker', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        localStorage.clear();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    function createPicker() {
+        const element = createElement('c-telegram-emoji-picker', { is: TelegramEmojiPicker });
+        document.body.appendChild(element);
+        return element;
+    }
+
+    it('searches emoji by name and remembers the chosen one', async () => {
+        const element = createPicker();
+        const handler = jest.fn();
+        element.addEventListener('emojiselect', handler);
+
+        const search = element.shadowRoot.querySelector('lightning-input');
+        search.value = 'pizza';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const results = element.shadowRoot.querySelectorAll('.emoji');
+        expect(results.length).toBe(1);
+        results[0].click();
+
+        expect(handler.mock.calls[0][0].detail.emoji).toBe('🍕');
+        const recentKey = Object.keys(localStorage).find(key => key.startsWith('telegramRecentEmojis_'));
+        expect(JSON.parse(localStorage.getItem(recentKey))).toEqual(['🍕']);
+    });
+
+    it('applies the chosen skin tone to emoji that support it', async () => {
+        const element = createPicker();
+        element.shadowRoot.querySelector('[data-tone="medium"]').click();
+
+        const search = element.shadowRoot.querySelector('lightning-input');
+        search.value = 'waving hand';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const emojis = Array.from(element.shadowRoot.querySelectorAll('.emoji')).map(emoji => emoji.dataset.emoji);
+        expect(emojis).toContain('👋🏽');
+        expect(emojis).not.toContain('👋');
+    });
+
+    it('loads the sticker tray and sends the chosen sticker', async () => {
+        getStickerTray.mockResolvedValue({
+            isSyncing: false,
+            sets: [{
+                name: 'SupportTeam',
+                title: 'Support Team',
+                stickers: [{ id: 'a0S1', emoji: '👍', previewUrl: '/sfc/servlet.shepherd/version/download/068000000000001' }]
+            }]
+        });
+        const element = createPicker();
+        const handler = jest.fn();
+        element.addEventListener('stickerselect', handler);
+
+        element.shadowRoot.querySelectorAll('.picker-tab')[1].click();
+        await flushPromises();
+
+        expect(getStickerTray).toHaveBeenCalledTimes(1);
+        element.shadowRoot.querySelector('.sticker').click();
+        expect(handler.mock.calls[0][0].detail).toEqual({ id: 'a0S1', emoji: '👍' });
+    });
+});
\ No newline at end of file
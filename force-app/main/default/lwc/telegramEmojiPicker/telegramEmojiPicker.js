@@ -0,0 +1,208 @@
+import { LightningElement, track } from 'lwc';
+import USER_ID from '@salesforce/user/Id';
+import getStickerTray from '@salesforce/apex/TelegramStickerService.getStickerTray';
+import { EMOJI_CATEGORIES } from './emojiData';
+
+const RECENT_STORAGE_KEY = `telegramRecentEmojis_${USER_ID}`;
+const SKIN_TONE_STORAGE_KEY = `telegramSkinTone_${USER_ID}`;
+const MAX_RECENT = 24;
+const MAX_SEARCH_RESULTS = 80;
+
+const SKIN_TONES = [
+    { key: 'default', label: 'Default skin tone', modifier: '' },
+    { key: 'light', label: 'Light skin tone', modifier: '\u{1F3FB}' },
+    { key: 'medium-light', label: 'Medium-light skin tone', modifier: '\u{1F3FC}' },
+    { key: 'medium', label: 'Medium skin tone', modifier: '\u{1F3FD}' },
+    { key: 'medium-dark', label: 'Medium-dark skin tone', modifier: '\u{1F3FE}' },
+    { key: 'dark', label: 'Dark skin tone', modifier: '\u{1F3FF}' }
+];
+
+// "👋~ waving hand" -> { char: '👋', name: 'waving hand', hasSkinTones: true }
+const CATEGORIES = EMOJI_CATEGORIES.map(category => ({
+    ...category,
+    emojis: category.emojis.map(entry => {
+        const separator = entry.indexOf(' ');
+        const symbol = entry.slice(0, separator);
+        const hasSkinTones = symbol.endsWith('~');
+        return {
+            char: hasSkinTones ? symbol.slice(0, -1) : symbol,
+            name: entry.slice(separator + 1),
+            hasSkinTones
+        };
+    })
+}));
+
+// The modifier goes right after the first code point, replacing its emoji presentation selector
+function applySkinTone(char, modifier) {
+    if (!modifier) {
+        return char;
+    }
+    const [first, ...rest] = Array.from(char);
+    if (rest[0] === '\uFE0F') {
+        rest.shift();
+    }
+    return first + modifier + rest.join('');
+}
+
+function readStorage(key, fallback) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+        console.error('❌ Could not read emoji preferences:', error);
+        return fallback;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error('❌ Could not store emoji preferences:', error);
+    }
+}
+
+export default class TelegramEmojiPicker extends LightningElement {
+    @track searchTerm = '';
+    @track activeCategory = CATEGORIES[0].name;
+    @track activeTab = 'emoji';
+    @track recentEmojis = readStorage(RECENT_STORAGE_KEY, []);
+    @track skinTone = readStorage(SKIN_TONE_STORAGE_KEY, 'default');
+    @track stickerSets = [];
+    @track isLoadingStickers = false;
+    @track isSyncingStickers = false;
+    stickersLoaded = false;
+    error;
+
+    handleSearch(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleCategorySelect(event) {
+        this.activeCategory = event.currentTarget.dataset.category;
+        this.searchTerm = '';
+    }
+
+    handleSkinToneSelect(event) {
+        this.skinTone = event.currentTarget.dataset.tone;
+        writeStorage(SKIN_TONE_STORAGE_KEY, this.skinTone);
+    }
+
+    handleEmojiSelect(event) {
+        const emoji = event.currentTarget.dataset.emoji;
+        this.recentEmojis = [emoji, ...this.recentEmojis.filter(item => item !== emoji)].slice(0, MAX_RECENT);
+        writeStorage(RECENT_STORAGE_KEY, this.recentEmojis);
+        this.dispatchEvent(new CustomEvent('emojiselect', { detail: { emoji } }));
+    }
+
+    handleShowEmoji() {
+        this.activeTab = 'emoji';
+    }
+
+    handleShowStickers() {
+        this.activeTab = 'stickers';
+        if (!this.stickersLoaded) {
+            this.loadStickers();
+        }
+    }
+
+    async loadStickers() {
+        this.isLoadingStickers = true;
+        try {
+            const tray = await getStickerTray();
+            this.stickerSets = tray.sets;
+            this.isSyncingStickers = tray.isSyncing;
+            this.stickersLoaded = true;
+            this.error = undefined;
+        } catch (error) {
+            console.error('❌ Error loading stickers:', error);
+            this.error = error.body?.message || 'Unable to load stickers';
+        } finally {
+            this.isLoadingStickers = false;
+        }
+    }
+
+    handleStickerSelect(event) {
+        const setName = event.currentTarget.dataset.set;
+        const sticker = this.stickerSets
+            .find(stickerSet => stickerSet.name === setName)
+            ?.stickers.find(item => item.id === event.currentTarget.dataset.id);
+        if (sticker) {
+            this.dispatchEvent(new CustomEvent('stickerselect', {
+                detail: { id: sticker.id, emoji: sticker.emoji }
+            }));
+        }
+    }
+
+    // Emojis to show: search results across every category, otherwise the selected category
+    get visibleEmojis() {
+        const term = this.searchTerm.trim().toLowerCase();
+        const modifier = SKIN_TONES.find(tone => tone.key === this.skinTone)?.modifier;
+        const emojis = term
+            ? CATEGORIES.flatMap(category => category.emojis)
+                .filter(emoji => emoji.name.includes(term))
+                .slice(0, MAX_SEARCH_RESULTS)
+            : CATEGORIES.find(category => category.name === this.activeCategory).emojis;
+        return emojis.map(emoji => ({
+            char: emoji.hasSkinTones ? applySkinTone(emoji.char, modifier) : emoji.char,
+            name: emoji.name
+        }));
+    }
+
+    get categories() {
+        return CATEGORIES.map(category => ({
+            name: category.name,
+            label: category.label,
+            icon: category.icon,
+            className: !this.searchTerm && category.name === this.activeCategory
+                ? 'emoji-category emoji-category-active'
+                : 'emoji-category'
+        }));
+    }
+
+    get skinTones() {
+        return SKIN_TONES.map(tone => ({
+            ...tone,
+            swatch: applySkinTone('✋', tone.modifier),
+            className: tone.key === this.skinTone ? 'skin-tone skin-tone-active' : 'skin-tone'
+        }));
+    }
+
+    get activeCategoryLabel() {
+        return this.searchTerm.trim()
+            ? 'Search results'
+            : CATEGORIES.find(category => category.name === this.activeCategory).label;
+    }
+
+    get showRecent() {
+        return !this.searchTerm.trim() && this.recentEmojis.length > 0;
+    }
+
+    get hasVisibleEmojis() {
+        return this.visibleEmojis.length > 0;
+    }
+
+    get isEmojiTab() {
+        return this.activeTab === 'emoji';
+    }
+
+    get isStickerTab() {
+        return this.activeTab === 'stickers';
+    }
+
+    get emojiTabClass() {
+        return this.isEmojiTab ? 'picker-tab picker-tab-active' : 'picker-tab';
+    }
+
+    get stickerTabClass() {
+        return this.isStickerTab ? 'picker-tab picker-tab-active' : 'picker-tab';
+    }
+
+    get hasStickers() {
+        return this.stickerSets.length > 0;
+    }
+
+    get showNoStickers() {
+        return this.stickersLoaded && !this.hasStickers && !this.isSyncingStickers;
+    }
+}
\ No newline at end of file
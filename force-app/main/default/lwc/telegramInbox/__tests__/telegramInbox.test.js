@@ -0,0 +1,145 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramInbox from 'c/telegramInbox';
+import getInboxThreads from '@salesforce/apex/TelegramInboxController.getInboxThreads';
+import { saveDraft } from 'c/telegramDrafts';
+
+jest.mock(
+    '@salesforce/apex/TelegramInboxController.getInboxThreads',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const THREADS = [
+    {
+        id: 'a0T1',
+        recordId: '00Q000000000001',
+        recordName: 'Abebe Kebede',
+        recordType: 'Lead',
+        lastMessagePreview: 'When is my appointment?',
+        lastMessageDate: new Date().toISOString(),
+        waitingSince: new Date(Date.now() - 90 * 60000).toISOString(),
+        unreadCount: 2,
+        assignedAgentName: null
+    },
+    {
+        id: 'a0T2',
+        recordId: '500000000000001',
+        recordName: '00001027',
+        recordType: 'Case',
+        lastMessagePreview: 'Thanks!',
+        lastMessageDate: new Date().toISOString(),
+        waitingSince: null,
+        unreadCount: 0,
+        assignedAgentName: 'Sara Tesfaye'
+    }
+];
+
+describe('c-telegram-inbox', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        localStorage.clear();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    it('lists threads with unread counts and waiting time', async () => {
+        getInboxThreads.mockResolvedValue(THREADS);
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(getInboxThreads).toHaveBeenCalledWith({ filter: 'all' });
+        const items = element.shadowRoot.querySelectorAll('.inbox-item');
+        expect(items.length).toBe(2);
+        expect(items[0].querySelector('.inbox-waiting').textContent).toBe('1h 30m');
+        expect(items[0].querySelector('lightning-badge').label).toBe(2);
+        expect(items[1].querySelector('lightning-badge')).toBeNull();
+    });
+
+    it('reloads with the selected filter', async () => {
+        getInboxThreads.mockResolvedValue(THREADS);
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const filters = element.shadowRoot.querySelector('lightning-radio-group');
+        filters.dispatchEvent(new CustomEvent('change', { detail: { value: 'waiting' } }));
+        await flushPromises();
+
+        expect(getInboxThreads).toHaveBeenLastCalledWith({ filter: 'waiting' });
+    });
+
+    it('opens the conversation for a clicked thread', async () => {
+        getInboxThreads.mockResolvedValue(THREADS);
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        element.shadowRoot.querySelectorAll('.inbox-item')[1].click();
+        await flushPromises();
+
+        const conversation = element.shadowRoot.querySelector('c-telegram-conversation');
+        expect(conversation).not.toBeNull();
+        expect(conversation.recordId).toBe('500000000000001');
+    });
+
+    it('opens triage instead of a conversation for an unmatched customer', async () => {
+        const unmatched = {
+            id: 'a0T3',
+            recordId: null,
+            recordName: 'Hana',
+            recordType: 'Unmatched',
+            lastMessagePreview: 'Hello?',
+            lastMessageDate: new Date().toISOString(),
+            waitingSince: new Date().toISOString(),
+            unreadCount: 1,
+            needsTriage: true,
+            candidates: []
+        };
+        getInboxThreads.mockResolvedValue([...THREADS, unmatched]);
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const items = element.shadowRoot.querySelectorAll('.inbox-item');
+        expect(items[2].querySelector('.inbox-triage')).not.toBeNull();
+        items[2].click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('c-telegram-conversation')).toBeNull();
+        expect(element.shadowRoot.querySelector('c-telegram-triage').thread.id).toBe('a0T3');
+    });
+
+    it('marks threads with an unsent draft', async () => {
+        getInboxThreads.mockResolvedValue([THREADS[0], { ...THREADS[1], hasDraft: true }]);
+        saveDraft('a0T1', { text: 'Your appointment is on' });
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const items = element.shadowRoot.querySelectorAll('.inbox-item');
+        expect(items[0].querySelector('.inbox-draft')).not.toBeNull();
+        expect(items[1].querySelector('.inbox-draft')).not.toBeNull();
+    });
+
+    it('does not mark threads without a draft', async () => {
+        getInboxThreads.mockResolvedValue(THREADS);
+        saveDraft('a0T1', { text: '   ' });
+        const element = createElement('c-telegram-inbox', { is: TelegramInbox });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelectorAll('.inbox-draft').length).toBe(0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { LightningElement, track } from 'lwc';
+import getInboxThreads from '@salesforce/apex/TelegramInboxController.getInboxThreads';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { subscribe, unsubscribe } from 'lightning/empApi';
+import { hasDraft } from 'c/telegramDrafts';
+
+const MESSAGE_EVENT_CHANNEL = '/event/Telegram_Message_Event__e';
+
+const FILTER_OPTIONS = [
+    { label: 'All', value: 'all' },
+    { label: 'Mine', value: 'mine' },
+    { label: 'Unassigned', value: 'unassigned' },
+    { label: 'Waiting on agent', value: 'waiting' },
+    { label: 'Needs triage', value: 'triage' }
+];
+
+export default class TelegramInbox extends LightningElement {
+    @track threads = [];
+    @track filter = 'all';
+    @track selectedThread = null;
+    @track triageThread = null;
+    @track isLoading = true;
+    error;
+    subscription = null;
+
+    filterOptions = FILTER_OPTIONS;
+
+    connectedCallback() {
+        this.loadThreads();
+        subscribe(MESSAGE_EVENT_CHANNEL, -1, () => this.loadThreads())
+            .then((response) => {
+                console.log('📡 Inbox subscribed to message events:', response?.channel);
+                this.subscription = response;
+            })
+            .catch((error) => {
+                console.error('❌ Inbox could not subscribe to message events:', error);
+            });
+    }
+
+    disconnectedCallback() {
+        if (this.subscription) {
+            unsubscribe(this.subscription);
+            this.subscription = null;
+        }
+    }
+
+    async loadThreads() {
+        try {
+            const result = await getInboxThreads({ filter: this.filter });
+            this.threads = result.map(thread => this.processThread(thread));
+            this.error = undefined;
+        } catch (error) {
+            console.error('❌ Error loading Telegram inbox:', error);
+            this.error = error.body?.message || 'Unable to load conversations';
+            this.showToast('Error', this.error, 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    processThread(thread) {
+        return {
+            ...thread,
+            hasUnread: thread.unreadCount > 0,
+            // Drafts stored in Salesforce, or only in this browser
+            hasDraft: thread.hasDraft || hasDraft(thread.id),
+            waitingTime: thread.waitingSince ? this.formatWaitingTime(thread.waitingSince) : null,
+            lastMessageTime: thread.lastMessageDate
+                ? new Date(thread.lastMessageDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : '',
+            preview: thread.lastMessagePreview || 'No messages yet'
+        };
+    }
+
+    // Compact age such as "45m", "3h 10m" or "2d"
+    formatWaitingTime(waitingSince) {
+        const minutes = Math.max(0, Math.floor((Date.now() - new Date(waitingSince).getTime()) / 60000));
+        if (minutes < 60) {
+            return `${minutes}m`;
+        }
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) {
+            return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+        }
+        return `${Math.floor(hours / 24)}d`;
+    }
+
+    handleFilterChange(event) {
+        this.filter = event.detail.value;
+        this.isLoading = true;
+        this.loadThreads();
+    }
+
+    handleThreadSelect(event) {
+        const thread = this.threads.find(item => item.id === event.currentTarget.dataset.id);
+        // An unmatched conversation has no record to open until an agent links it
+        if (thread?.needsTriage) {
+            this.triageThread = thread;
+        } else if (thread) {
+            this.selectedThread = thread;
+        }
+    }
+
+    handleTriageLink(event) {
+        this.showToast('Success', event.detail.message, 'success');
+        this.triageThread = null;
+        this.loadThreads();
+    }
+
+    handleTriageCancel() {
+        this.triageThread = null;
+    }
+
+    handleBack() {
+        this.selectedThread = null;
+        this.loadThreads();
+    }
+
+    handleRefresh() {
+        this.loadThreads();
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get showThreadList() {
+        return !this.selectedThread && !this.triageThread;
+    }
+
+    get hasThreads() {
+        return this.threads.length > 0;
+    }
+
+    get totalUnread() {
+        return this.threads.reduce((total, thread) => total + thread.unreadCount, 0);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramInvite from 'c/telegramInvite';
+import generateInvite from '@salesforce/apex/TelegramInviteService.generateInvite';
+
+jest.mock(
+    '@salesforce/apex/TelegramInviteService.generateInvite',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const INVITE = {
+    url: 'https://t.me/SupportBot?start=0f1e2d3c4b5a69788796a5b4c3d2e1f0',
+    expiresAt: '2026-10-22T09:00:00.000Z'
+};
+
+describe('c-telegram-invite', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    it('shows the invite link and QR code for the record', async () => {
+        generateInvite.mockResolvedValue(INVITE);
+        const element = createElement('c-telegram-invite', { is: TelegramInvite });
+        element.recordId = '00Q000000000001';
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('.generate-button').click();
+        await flushPromises();
+
+        expect(generateInvite).toHaveBeenCalledWith({ recordId: '00Q000000000001' });
+        expect(element.shadowRoot.querySelector('.invite-url').value).toBe(INVITE.url);
+        const qrCode = element.shadowRoot.querySelector('.invite-qr-code');
+        expect(qrCode.getAttribute('viewBox')).toBe('0 0 41 41');
+        expect(qrCode.querySelector('path').getAttribute('d')).toMatch(/^M\d+ \d+h1v1h-1z/);
+        expect(element.shadowRoot.querySelector('.generate-button').label).toBe('Generate new invite');
+    });
+
+    it('shows the error when the invite cannot be created', async () => {
+        generateInvite.mockRejectedValue({ body: { message: 'The Telegram bot username is not configured.' } });
+        const element = createElement('c-telegram-invite', { is: TelegramInvite });
+        element.recordId = '003000000000001';
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('.generate-button').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.invite-url')).toBeNull();
+        expect(element.shadowRoot.querySelector('.invite-error').textContent).toBe('The Telegram bot username is not configured.');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import generateInvite from '@salesforce/apex/TelegramInviteService.generateInvite';
+import { createQrCode, toSvg } from 'c/telegramQrCode';
+
+export default class TelegramInvite extends LightningElement {
+    @api recordId;
+    invite = null;
+    qrCode = null;
+    isGenerating = false;
+    error;
+
+    async handleGenerate() {
+        this.isGenerating = true;
+        this.error = undefined;
+        try {
+            this.invite = await generateInvite({ recordId: this.recordId });
+            // Drawn here rather than by a QR service: the link carries the invite token
+            this.qrCode = toSvg(createQrCode(this.invite.url));
+            console.log('🔗 Telegram invite created, expires:', this.invite.expiresAt);
+        } catch (error) {
+            console.error('❌ Error generating Telegram invite:', error);
+            this.error = error.body?.message || 'Unable to generate the invite';
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(this.invite.url);
+            this.showToast('Copied', 'Invite link copied to the clipboard', 'success');
+        } catch (error) {
+            console.error('❌ Error copying invite link:', error);
+            this.showToast('Error', 'Unable to copy the link. Please select it and copy it manually.', 'error');
+        }
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+
+    get hasInvite() {
+        return this.invite !== null;
+    }
+
+    get generateLabel() {
+        return this.hasInvite ? 'Generate new invite' : 'Generate invite';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { createQrCode, toSvg } from 'c/telegramQrCode';
+
+const INVITE_URL = 'https://t.me/SupportBot?start=0f1e2d3c4b5a69788796a5b4c3d2e1f0';
+
+describe('c-telegram-qr-code', () => {
+    it('picks the smallest version that holds the text', () => {
+        expect(createQrCode('a').length).toBe(21);
+        expect(createQrCode(INVITE_URL).length).toBe(33);
+        expect(() => createQrCode('x'.repeat(300))).toThrow('The text is too long for a QR code');
+    });
+
+    it('draws the finder patterns in three corners', () => {
+        const modules = createQrCode(INVITE_URL);
+        const last = modules.length - 1;
+        const finderRow = [true, true, true, true, true, true, true, false];
+
+        expect(modules[0].slice(0, 8)).toEqual(finderRow);
+        expect(modules[0].slice(last - 7).reverse()).toEqual(finderRow);
+        expect(modules[last].slice(0, 8)).toEqual(finderRow);
+        expect(modules[last - 7][8]).toBe(true);
+    });
+
+    it('draws one square per dark module inside the quiet zone', () => {
+        const modules = createQrCode('a');
+        const dark = modules.flat().filter(Boolean).length;
+        const svg = toSvg(modules);
+
+        expect(svg.viewBox).toBe('0 0 29 29');
+        expect(svg.path.split('z').length - 1).toBe(dark);
+        expect(svg.path.startsWith('M4 4h1v1h-1z')).toBe(true);
+    });
+});
\ No newline at end of file
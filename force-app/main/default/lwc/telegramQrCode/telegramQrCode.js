@@ -0,0 +1,402 @@
+// QR code encoder (ISO/IEC 18004, byte mode, error correction level M) for invite links.
+// The code is built in the browser so invite tokens are never sent to a third-party QR service.
+
+const MAX_VERSION = 10;
+const QUIET_ZONE = 4;
+
+// Per version 1-10 at level M: error correction codewords per block and number of blocks
+const ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ECC_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+// Level M is 00 in the format information
+const FORMAT_ECC_BITS = 0;
+
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+const FINDER_LIKE_PATTERNS = ['10111010000', '00001011101'];
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+function toUtf8Bytes(text) {
+    const encoded = encodeURIComponent(text);
+    const bytes = [];
+    for (let i = 0; i < encoded.length; i++) {
+        if (encoded[i] === '%') {
+            bytes.push(parseInt(encoded.substring(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(encoded.charCodeAt(i));
+        }
+    }
+    return bytes;
+}
+
+// Modules left for data and error correction once the function patterns are drawn
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+function getDataCodewords(version) {
+    return Math.floor(getRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[version - 1] * ECC_BLOCKS[version - 1];
+}
+
+function getAlignmentPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+// Reed-Solomon over GF(2^8) with the QR polynomial 0x11D
+function multiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function getDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = multiply(result[j], root);
+            if (j + 1 < degree) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = multiply(root, 0x02);
+    }
+    return result;
+}
+
+function getRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= multiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+function encodeData(bytes, version) {
+    const capacityBits = getDataCodewords(version) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push(getBit(value, i) ? 1 : 0);
+        }
+    };
+
+    append(0x4, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => append(byte, 8));
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xec; codewords.length < capacityBits / 8; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Split the data into blocks, add each block's error correction and interleave them
+function addErrorCorrection(data, version) {
+    const blockCount = ECC_BLOCKS[version - 1];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version - 1];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+        const blockData = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+        k += blockData.length;
+        const ecc = getRemainder(blockData, divisor);
+        if (i < shortBlockCount) {
+            blockData.push(0);
+        }
+        blocks.push(blockData.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte of the short blocks
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+class Matrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+
+        const positions = getAlignmentPositions(this.version, this.size);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // The corners with finder patterns have no alignment pattern
+                if (!(i === 0 && j === 0) && !(i === 0 && j === last) && !(i === last && j === 0)) {
+                    this.drawAlignment(x, y);
+                }
+            });
+        });
+
+        // Reserve the format areas; the real bits are drawn once the mask is chosen
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFinder(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignment(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (FORMAT_ECC_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) {
+            this.setFunction(8, i, getBit(bits, i));
+        }
+        this.setFunction(8, 7, getBit(bits, 6));
+        this.setFunction(8, 8, getBit(bits, 7));
+        this.setFunction(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunction(14 - i, 8, getBit(bits, i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            this.setFunction(this.size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunction(8, this.size - 15 + i, getBit(bits, i));
+        }
+        this.setFunction(8, this.size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) {
+            return;
+        }
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, getBit(bits, i));
+            this.setFunction(b, a, getBit(bits, i));
+        }
+    }
+
+    // Fill the data in two-module columns, zigzagging up and down from the bottom right
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Applying a mask twice removes it again
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenalty() {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map((row) => row[i]));
+        }
+
+        lines.forEach((line) => {
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) {
+                        penalty += PENALTY_RUN + runLength - 5;
+                    }
+                    runLength = 1;
+                }
+            }
+            const text = line.map((dark) => (dark ? '1' : '0')).join('');
+            FINDER_LIKE_PATTERNS.forEach((pattern) => {
+                for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+                    penalty += PENALTY_FINDER_LIKE;
+                }
+            });
+        });
+
+        let dark = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const color = this.modules[y][x];
+                dark += color ? 1 : 0;
+                if (x < this.size - 1 && y < this.size - 1
+                    && color === this.modules[y][x + 1]
+                    && color === this.modules[y + 1][x]
+                    && color === this.modules[y + 1][x + 1]) {
+                    penalty += PENALTY_BLOCK;
+                }
+            }
+        }
+        const total = this.size * this.size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+        return penalty;
+    }
+}
+
+// The QR code for the text as rows of modules, true for dark
+export function createQrCode(text) {
+    const bytes = toUtf8Bytes(text);
+    let version = 1;
+    while (4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version) * 8) {
+        if (++version > MAX_VERSION) {
+            throw new Error('The text is too long for a QR code');
+        }
+    }
+
+    const matrix = new Matrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+    // Keep the mask with the lowest penalty, as the standard recommends
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    MASKS.forEach((mask, index) => {
+        matrix.applyMask(index);
+        matrix.drawFormatBits(index);
+        const penalty = matrix.getPenalty();
+        if (penalty < bestPenalty) {
+            bestMask = index;
+            bestPenalty = penalty;
+        }
+        matrix.applyMask(index);
+    });
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+
+    return matrix.modules;
+}
+
+// SVG path and viewBox drawing the QR code with its quiet zone, one unit per module
+export function toSvg(modules) {
+    const parts = [];
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                parts.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+            }
+        });
+    });
+    const size = modules.length + QUIET_ZONE * 2;
+    return { path: parts.join(''), viewBox: `0 0 ${size} ${size}` };
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramQuickReplies from 'c/telegramQuickReplies';
+import getQuickReplies from '@salesforce/apex/TelegramQuickReplyController.getQuickReplies';
+
+jest.mock(
+    '@salesforce/apex/TelegramQuickReplyController.getQuickReplies',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const QUICK_REPLIES = [
+    { id: 'a01', title: 'Greeting', message: 'Hello {!Lead.FirstName}!', category: 'General', isFavorite: false },
+    { id: 'a02', title: 'National ID', message: 'Please upload your National ID', category: 'KYC', isFavorite: true }
+];
+
+describe('c-telegram-quick-replies', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    function flushPromises() {
+        return Promise.resolve();
+    }
+
+    it('lists favourites first', async () => {
+        const element = createElement('c-telegram-quick-replies', {
+            is: TelegramQuickReplies
+        });
+        document.body.appendChild(element);
+
+        getQuickReplies.emit(QUICK_REPLIES);
+        await flushPromises();
+
+        const titles = Array.from(element.shadowRoot.querySelectorAll('.quick-reply-title'))
+            .map(node => node.textContent.trim());
+        expect(titles[0]).toContain('National ID');
+        expect(titles[1]).toContain('Greeting');
+    });
+
+    it('filters by search term and fires select with the template text', async () => {
+        const element = createElement('c-telegram-quick-replies', {
+            is: TelegramQuickReplies
+        });
+        const handler = jest.fn();
+        element.addEventListener('select', handler);
+        document.body.appendChild(element);
+
+        getQuickReplies.emit(QUICK_REPLIES);
+        await flushPromises();
+
+        const search = element.shadowRoot.querySelector('lightning-input');
+        search.value = 'hello';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const replies = element.shadowRoot.querySelectorAll('.quick-reply');
+        expect(replies.length).toBe(1);
+
+        replies[0].click();
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.message).toBe('Hello {!Lead.FirstName}!');
+    });
+});
\ No newline at end of file
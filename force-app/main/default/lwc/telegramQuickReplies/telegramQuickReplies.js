@@ -0,0 +1,68 @@
+import { LightningElement, track, wire } from 'lwc';
+import getQuickReplies from '@salesforce/apex/TelegramQuickReplyController.getQuickReplies';
+import toggleFavorite from '@salesforce/apex/TelegramQuickReplyController.toggleFavorite';
+import { refreshApex } from '@salesforce/apex';
+
+export default class TelegramQuickReplies extends LightningElement {
+    @track quickReplies = [];
+    @track searchTerm = '';
+    error;
+
+    wiredQuickRepliesResult;
+
+    @wire(getQuickReplies)
+    wiredQuickReplies(result) {
+        this.wiredQuickRepliesResult = result;
+        if (result.data) {
+            this.quickReplies = result.data;
+            this.error = undefined;
+        } else if (result.error) {
+            console.error('❌ Error loading quick replies:', result.error);
+            this.error = result.error.body?.message || 'Unable to load quick replies';
+        }
+    }
+
+    handleSearch(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleSelect(event) {
+        const reply = this.quickReplies.find(item => item.id === event.currentTarget.dataset.id);
+        if (reply) {
+            this.dispatchEvent(new CustomEvent('select', {
+                detail: { id: reply.id, message: reply.message }
+            }));
+        }
+    }
+
+    async handleFavoriteToggle(event) {
+        event.stopPropagation();
+        const quickReplyId = event.currentTarget.dataset.id;
+        try {
+            await toggleFavorite({ quickReplyId });
+            await refreshApex(this.wiredQuickRepliesResult);
+        } catch (error) {
+            console.error('❌ Error updating favourite:', error);
+            this.error = error.body?.message || 'Unable to update favourites';
+        }
+    }
+
+    // Favourites first, then alphabetical; search matches title, category and text
+    get filteredReplies() {
+        const term = this.searchTerm.trim().toLowerCase();
+        return this.quickReplies
+            .filter(reply => !term ||
+                [reply.title, reply.category, reply.message]
+                    .some(value => value && value.toLowerCase().includes(term)))
+            .sort((a, b) => (b.isFavorite === true) - (a.isFavorite === true))
+            .map(reply => ({
+                ...reply,
+                favoriteIcon: reply.isFavorite ? 'utility:favorite' : 'utility:favorite_alt',
+                favoriteLabel: reply.isFavorite ? 'Remove from favourites' : 'Add to favourites'
+            }));
+    }
+
+    get hasReplies() {
+        return this.filteredReplies.length > 0;
+    }
+}
\ No newline at end of file
@@ -9,6 +9,7 @@ export default class TelegramSender extends LightningElement {
     customMessage = '';
     isLoading = false;
     resultMessage = '';
+    resultIsSuccess = false;
     recordInfo = {};
     showCustomMessage = false;
 
@@ -23,7 +24,7 @@ export default class TelegramSender extends LightningElement {
             }
         } else if (error) {
             console.error('Error fetching record info:', error);
-            this.resultMessage = '❌ Error loading record information';
+            this.showResult(false, 'Error loading record information');
         }
     }
 
@@ -40,7 +41,7 @@ export default class TelegramSender extends LightningElement {
     async handleSend() {
         // Validation
         if (this.messageType === 'Custom' && !this.customMessage.trim()) {
-            this.resultMessage = '❌ Please enter a custom message';
+            this.showResult(false, 'Please enter a custom message');
             return;
         }
 
@@ -54,10 +55,10 @@ export default class TelegramSender extends LightningElement {
                 customMessage: this.customMessage
             });
             
-            this.resultMessage = result;
+            this.showResult(result.success, result.message);
             
             // Reset form on success
-            if (result.includes('✅')) {
+            if (result.success) {
                 if (this.messageType === 'Custom') {
                     this.customMessage = '';
                 }
@@ -65,12 +66,21 @@ export default class TelegramSender extends LightningElement {
             
         } catch (error) {
             console.error('Error:', error);
-            this.resultMessage = '❌ Error: ' + (error.body?.message || error.message);
+            this.showResult(false, 'Error: ' + (error.body?.message || error.message));
         } finally {
             this.isLoading = false;
         }
     }
 
+    showResult(success, message) {
+        this.resultIsSuccess = success;
+        this.resultMessage = message;
+    }
+
+    get resultText() {
+        return (this.resultIsSuccess ? '✅ ' : '❌ ') + this.resultMessage;
+    }
+
     get typeOptions() {
         return [
             { label: 'Opportunity', value: 'Opportunity' },
@@ -93,11 +103,6 @@ export default class TelegramSender extends LightningElement {
     }
 
     get resultClass() {
-        if (this.resultMessage.includes('✅')) {
-            return 'success-message';
-        } else if (this.resultMessage.includes('❌')) {
-            return 'error-message';
-        }
-        return '';
+        return this.resultIsSuccess ? 'success-message' : 'error-message';
     }
 }
\ No newline at end of file
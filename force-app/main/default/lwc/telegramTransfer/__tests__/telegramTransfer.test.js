@@ -0,0 +1,97 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramTransfer from 'c/telegramTransfer';
+import searchTransferTargets from '@salesforce/apex/TelegramTransferService.searchTransferTargets';
+import transferThread from '@salesforce/apex/TelegramTransferService.transferThread';
+
+jest.mock(
+    '@salesforce/apex/TelegramTransferService.searchTransferTargets',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramTransferService.transferThread',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const TARGETS = [
+    { id: '00G000000000001', name: 'Support Queue', isQueue: true, iconName: 'standard:queue' },
+    { id: '005000000000001', name: 'Sara Tesfaye', isQueue: false, iconName: 'standard:user' }
+];
+
+describe('c-telegram-transfer', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    async function selectTarget(element, index) {
+        const search = element.shadowRoot.querySelector('.transfer-search');
+        search.value = 'S';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+        element.shadowRoot.querySelectorAll('.transfer-option')[index].click();
+        await flushPromises();
+    }
+
+    it('transfers to the selected agent with the hand-off note', async () => {
+        searchTransferTargets.mockResolvedValue(TARGETS);
+        transferThread.mockResolvedValue({ success: true, message: 'Conversation transferred to Sara Tesfaye.' });
+        const element = createElement('c-telegram-transfer', { is: TelegramTransfer });
+        element.threadId = 'a0T1';
+        const handler = jest.fn();
+        element.addEventListener('transfer', handler);
+        document.body.appendChild(element);
+
+        await selectTarget(element, 1);
+        expect(element.shadowRoot.querySelector('lightning-pill').label).toBe('Sara Tesfaye');
+
+        const note = element.shadowRoot.querySelector('.transfer-note');
+        note.value = 'Waiting on a copy of the ID';
+        note.dispatchEvent(new CustomEvent('change'));
+        element.shadowRoot.querySelector('.transfer-button').click();
+        await flushPromises();
+
+        expect(transferThread).toHaveBeenCalledWith({
+            threadId: 'a0T1',
+            targetId: '005000000000001',
+            handoffNote: 'Waiting on a copy of the ID'
+        });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.message).toBe('Conversation transferred to Sara Tesfaye.');
+    });
+
+    it('shows the error message when the transfer is refused', async () => {
+        searchTransferTargets.mockResolvedValue(TARGETS);
+        transferThread.mockResolvedValue({
+            success: false,
+            errorCode: 'NO_ACTIVE_SESSION',
+            message: 'Only active conversations can be transferred.'
+        });
+        const element = createElement('c-telegram-transfer', { is: TelegramTransfer });
+        element.threadId = 'a0T1';
+        const handler = jest.fn();
+        element.addEventListener('transfer', handler);
+        document.body.appendChild(element);
+
+        await selectTarget(element, 0);
+        element.shadowRoot.querySelector('.transfer-button').click();
+        await flushPromises();
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.transfer-error').textContent)
+            .toBe('Only active conversations can be transferred.');
+    });
+});
\ No newline at end of file
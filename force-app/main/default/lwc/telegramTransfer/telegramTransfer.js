@@ -0,0 +1,90 @@
+import { LightningElement, api, track } from 'lwc';
+import searchTransferTargets from '@salesforce/apex/TelegramTransferService.searchTransferTargets';
+import transferThread from '@salesforce/apex/TelegramTransferService.transferThread';
+
+export default class TelegramTransfer extends LightningElement {
+    @api threadId;
+    @track targets = [];
+    @track selectedTarget = null;
+    searchTerm = '';
+    handoffNote = '';
+    isTransferring = false;
+    error;
+
+    async handleSearch(event) {
+        const term = event.target.value;
+        this.searchTerm = term;
+        if (!term.trim()) {
+            this.targets = [];
+            return;
+        }
+
+        try {
+            const targets = await searchTransferTargets({ searchTerm: term });
+            // Ignore results for a search the agent has typed past
+            if (this.searchTerm === term) {
+                this.targets = targets;
+                this.error = undefined;
+            }
+        } catch (error) {
+            console.error('❌ Error searching agents and queues:', error);
+            this.error = error.body?.message || 'Unable to search agents and queues';
+        }
+    }
+
+    handleTargetSelect(event) {
+        this.selectedTarget = this.targets.find(target => target.id === event.currentTarget.dataset.id);
+        this.targets = [];
+        this.searchTerm = '';
+    }
+
+    clearTarget() {
+        this.selectedTarget = null;
+    }
+
+    handleNoteChange(event) {
+        this.handoffNote = event.target.value;
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    async handleTransfer() {
+        if (!this.selectedTarget) {
+            return;
+        }
+
+        this.isTransferring = true;
+        this.error = undefined;
+        try {
+            const result = await transferThread({
+                threadId: this.threadId,
+                targetId: this.selectedTarget.id,
+                handoffNote: this.handoffNote
+            });
+            console.log('🔀 Transfer result:', result);
+
+            if (result.success) {
+                this.dispatchEvent(new CustomEvent('transfer', {
+                    detail: { message: result.message, targetId: this.selectedTarget.id }
+                }));
+            } else {
+                this.error = result.message;
+            }
+        } catch (error) {
+            console.error('❌ Error transferring conversation:', error);
+            this.error = error.body?.message || 'Unable to transfer the conversation';
+        } finally {
+            this.isTransferring = false;
+        }
+    }
+
+    get hasTargets() {
+        return this.targets.length > 0;
+    }
+
+    get isTransferDisabled() {
+        return !this.selectedTarget || this.isTransferring;
+    }
+}
\ No newline at end of file
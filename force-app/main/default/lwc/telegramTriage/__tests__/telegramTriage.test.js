@@ -0,0 +1,88 @@
+import { createElement } from '@lwc/engine-dom';
+import TelegramTriage from 'c/telegramTriage';
+import searchCandidates from '@salesforce/apex/TelegramRecordMatcher.searchCandidates';
+import linkThread from '@salesforce/apex/TelegramRecordMatcher.linkThread';
+
+jest.mock(
+    '@salesforce/apex/TelegramRecordMatcher.searchCandidates',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TelegramRecordMatcher.linkThread',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const THREAD = {
+    id: 'a0T3',
+    recordName: 'Hana',
+    telegramUsername: 'hana_t',
+    preview: 'Hello?',
+    candidates: [
+        { id: '00Q000000000001', name: 'Hana Tadesse', recordType: 'Lead', detail: 'Mobile 0911 23 45 67' },
+        { id: '003000000000001', name: 'Hana Girma', recordType: 'Contact', detail: 'Username @hana_t' }
+    ]
+};
+
+describe('c-telegram-triage', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    // Several microtask turns, so awaited Apex calls resolve and the template re-renders
+    function flushPromises() {
+        let flushed = Promise.resolve();
+        for (let i = 0; i < 5; i++) {
+            flushed = flushed.then(() => undefined);
+        }
+        return flushed;
+    }
+
+    it('links the conversation to a suggested record', async () => {
+        linkThread.mockResolvedValue({ success: true, message: 'Conversation linked to Hana Girma.' });
+        const element = createElement('c-telegram-triage', { is: TelegramTriage });
+        element.thread = THREAD;
+        const handler = jest.fn();
+        element.addEventListener('link', handler);
+        document.body.appendChild(element);
+
+        const suggestions = element.shadowRoot.querySelectorAll('.triage-suggestion');
+        expect(suggestions.length).toBe(2);
+        suggestions[1].querySelector('.link-button').click();
+        await flushPromises();
+
+        expect(linkThread).toHaveBeenCalledWith({ threadId: 'a0T3', recordId: '003000000000001' });
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0].detail.message).toBe('Conversation linked to Hana Girma.');
+    });
+
+    it('searches for a record when nothing was suggested and shows link errors', async () => {
+        searchCandidates.mockResolvedValue([
+            { id: '003000000000002', name: 'Hana Bekele', recordType: 'Contact', detail: '+251911234567' }
+        ]);
+        linkThread.mockResolvedValue({ success: false, message: 'This conversation is already linked to a record.' });
+        const element = createElement('c-telegram-triage', { is: TelegramTriage });
+        element.thread = { ...THREAD, candidates: [] };
+        const handler = jest.fn();
+        element.addEventListener('link', handler);
+        document.body.appendChild(element);
+
+        expect(element.shadowRoot.querySelector('.triage-empty')).not.toBeNull();
+        const search = element.shadowRoot.querySelector('.triage-search');
+        search.value = 'Hana';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(searchCandidates).toHaveBeenCalledWith({ searchTerm: 'Hana' });
+        element.shadowRoot.querySelector('.triage-result .link-button').click();
+        await flushPromises();
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(element.shadowRoot.querySelector('.triage-error').textContent).toBe('This conversation is already linked to a record.');
+    });
+});
\ No newline at end of file
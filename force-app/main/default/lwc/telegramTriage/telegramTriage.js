@@ -0,0 +1,75 @@
+import { LightningElement, api, track } from 'lwc';
+import searchCandidates from '@salesforce/apex/TelegramRecordMatcher.searchCandidates';
+import linkThread from '@salesforce/apex/TelegramRecordMatcher.linkThread';
+
+export default class TelegramTriage extends LightningElement {
+    @api thread;
+    @track searchResults = [];
+    searchTerm = '';
+    linkingId = null;
+    error;
+
+    async handleSearch(event) {
+        const term = event.target.value;
+        this.searchTerm = term;
+        if (term.trim().length < 2) {
+            this.searchResults = [];
+            return;
+        }
+
+        try {
+            const results = await searchCandidates({ searchTerm: term });
+            // Ignore results for a search the agent has typed past
+            if (this.searchTerm === term) {
+                this.searchResults = results;
+                this.error = undefined;
+            }
+        } catch (error) {
+            console.error('❌ Error searching Leads and Contacts:', error);
+            this.error = error.body?.message || 'Unable to search Leads and Contacts';
+        }
+    }
+
+    async handleLink(event) {
+        const recordId = event.currentTarget.dataset.id;
+        this.linkingId = recordId;
+        this.error = undefined;
+        try {
+            const result = await linkThread({ threadId: this.thread.id, recordId });
+            console.log('🔗 Link result:', result);
+
+            if (result.success) {
+                this.dispatchEvent(new CustomEvent('link', {
+                    detail: { message: result.message, recordId }
+                }));
+            } else {
+                this.error = result.message;
+            }
+        } catch (error) {
+            console.error('❌ Error linking conversation:', error);
+            this.error = error.body?.message || 'Unable to link the conversation';
+        } finally {
+            this.linkingId = null;
+        }
+    }
+
+    handleCancel() {
+        this.dispatchEvent(new CustomEvent('cancel'));
+    }
+
+    get suggestions() {
+        return this.thread?.candidates || [];
+    }
+
+    get hasSuggestions() {
+        return this.suggestions.length > 0;
+    }
+
+    get hasSearchResults() {
+        return this.searchResults.length > 0;
+    }
+
+    get isLinking() {
+        return this.linkingId !== null;
+    }
+}
\ No newline at end of file